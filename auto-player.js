@@ -12,6 +12,7 @@
 
 const BASE = 'http://localhost:3001/api';
 const PLAYER_NAME = 'Nox';
+const API_KEY = process.env.SHELLSWORD_API_KEY || null; // needed once the handle is registered
 const POLL_INTERVAL = 3000;
 const QUEUE_RETRY = 15000;       // 15s between queue attempts
 const MAX_GAMES = 500;
@@ -21,6 +22,7 @@ const MAX_FETCH_ERRORS = 20;     // consecutive errors before giving up on a gam
 
 const fs = require('fs');
 const path = require('path');
+const { acceptsMoves } = require('./engine');
 
 const LOG_FILE = path.resolve(__dirname, 'auto-player.log');
 const STATE_FILE = path.resolve(__dirname, 'auto-player-state.json');
@@ -48,8 +50,8 @@ function clearState() {
   try { if (fs.existsSync(STATE_FILE)) fs.unlinkSync(STATE_FILE); } catch {}
 }
 
-function pick(weights) {
-  const rand = Math.random();
+function pickWeighted(weights, random = Math.random) {
+  const rand = random();
   let sum = 0;
   for (const [move, prob] of Object.entries(weights)) {
     sum += prob;
@@ -62,12 +64,12 @@ function pick(weights) {
 let recentDistances = [];
 const DEADLOCK_THRESHOLD = 4; // same distance for 4+ turns = deadlocked
 
-function detectDeadlock(distance) {
-  recentDistances.push(distance);
-  if (recentDistances.length > 10) recentDistances.shift();
+function detectDeadlock(distance, recent = recentDistances) {
+  recent.push(distance);
+  if (recent.length > 10) recent.shift();
   
-  if (recentDistances.length >= DEADLOCK_THRESHOLD) {
-    const last = recentDistances.slice(-DEADLOCK_THRESHOLD);
+  if (recent.length >= DEADLOCK_THRESHOLD) {
+    const last = recent.slice(-DEADLOCK_THRESHOLD);
     return last.every(d => d === last[0]);
   }
   return false;
@@ -77,12 +79,16 @@ function resetDeadlockTracking() {
   recentDistances = [];
 }
 
-function chooseMove(state) {
-  const { distance, score, oppScore, turn } = state;
+// `random` and `recent` let simulate.js run seeded games and keep one
+// deadlock tracker per side
+function chooseMove(state, random = Math.random, recent = recentDistances) {
+  const pick = (weights) => pickWeighted(weights, random);
+  const { distance, score, oppScore, turn, phase } = state;
   const leading = score > oppScore;
   const trailing = score < oppScore;
   const lateGame = turn > 20;
-  const deadlocked = detectDeadlock(distance);
+  const overtime = phase === 'overtime';
+  const deadlocked = detectDeadlock(distance, recent);
 
   // Deadlock breaker — if stuck at same distance, mix it up
   if (deadlocked) {
@@ -98,6 +104,14 @@ function chooseMove(state) {
     return pick({ lunge: 0.4, advance: 0.3, parry: 0.2, retreat: 0.1 });
   }
 
+  // Sudden-death overtime: one touch decides it, double hits don't count.
+  // Lunging at 1 can only be answered by a parry, so mix the two evenly.
+  if (overtime) {
+    if (distance === 1) return pick({ lunge: 0.45, parry: 0.45, retreat: 0.1 });
+    if (distance === 2) return pick({ parry: 0.5, advance: 0.3, lunge: 0.2 });
+    return 'advance';
+  }
+
   // Normal strategy
   if (distance >= 4) {
     return 'advance';
@@ -153,7 +167,7 @@ async function joinQueue() {
   try {
     const data = await fetchJSON(`${BASE}/join`, {
       method: 'POST',
-      body: JSON.stringify({ name: PLAYER_NAME }),
+      body: JSON.stringify(API_KEY ? { apiKey: API_KEY } : { name: PLAYER_NAME }),
     });
     if (data.token) {
       log(`Joined queue → token: ${data.token.slice(0, 8)}...`);
@@ -216,16 +230,19 @@ async function playMatch(token) {
     }
     consecutiveErrors = 0; // reset on success
 
-    // Unknown token — might still be in queue waiting for match
-    if (state.error && (state.error.includes('Unknown token') || state.error.includes('unknown'))) {
+    // Still in the queue: the server reports status 'waiting' (older
+    // servers answered "Unknown token" until a match was found)
+    const inQueue = ['waiting', 'waiting_in_queue', 'queued'].includes(state.status);
+    if (inQueue || (state.error && (state.error.includes('Unknown token') || state.error.includes('unknown')))) {
       unknownTokenRetries++;
       if (unknownTokenRetries >= MAX_UNKNOWN_RETRIES) {
-        log(`Still unknown after ${unknownTokenRetries} retries — giving up`);
+        log(`Still unmatched after ${unknownTokenRetries} retries — giving up`);
         clearState();
         return { result: 'CLEANED', turns: lastTurn };
       }
       if (unknownTokenRetries % 10 === 0) {
-        log(`Waiting for match... (${unknownTokenRetries}/${MAX_UNKNOWN_RETRIES})`);
+        const position = state.queue ? `, position ${state.queue.position}/${state.queue.queueSize}` : '';
+        log(`Waiting for match... (${unknownTokenRetries}/${MAX_UNKNOWN_RETRIES}${position})`);
       }
       await sleep(POLL_INTERVAL);
       continue;
@@ -256,30 +273,27 @@ async function playMatch(token) {
     if (state.winner || state.status === 'finished') {
       const sj = state.stateJson || {};
       const won = state.winner === state.playerId;
-      const result = state.winner === 'draw' || state.winner === 'sudden_death' ? 'DRAW' : (won ? 'WIN' : 'LOSS');
+      let result = won ? 'WIN' : 'LOSS';
+      if (state.winner === 'draw' || state.winner === 'sudden_death') result = 'DRAW';
+      else if (state.winner === 'abandoned') result = 'ABANDONED';
+      else if (state.winner === 'aborted' || state.winner === 'void') result = 'NO_RESULT'; // not a loss: nobody won
       log(`Game over: ${result} | Score: ${sj.score}-${sj.oppScore} | Turns: ${sj.turn} | Game: ${state.gameId}`);
       clearState();
       resetDeadlockTracking();
       return { result, score: sj.score, oppScore: sj.oppScore, turns: sj.turn, gameId: state.gameId };
     }
 
-    // Waiting in queue
-    if (state.status === 'waiting_in_queue' || state.status === 'queued') {
-      await sleep(POLL_INTERVAL * 3);
-      continue;
-    }
-
     // Waiting for opponent's move
     if (state.status === 'waiting_for_opponent') {
       await sleep(POLL_INTERVAL);
       continue;
     }
 
-    // Our turn
-    if (state.phase === 'input' && state.status !== 'waiting_for_opponent') {
+    // Our turn (regulation or sudden-death overtime)
+    if (acceptsMoves(state) && state.status !== 'waiting_for_opponent') {
       const sj = state.stateJson || {};
       const move = chooseMove(sj);
-      log(`Turn ${sj.turn}: dist=${sj.distance} score=${sj.score}-${sj.oppScore} → ${move}`);
+      log(`Turn ${sj.turn}${sj.phase === 'overtime' ? ' [OT]' : ''}: dist=${sj.distance} score=${sj.score}-${sj.oppScore} → ${move}`);
       
       const result = await submitMove(token, move);
       if (result && result.error) {
@@ -319,7 +333,7 @@ async function tryResume() {
 async function main() {
   log('=== Shellsword Auto-Player v2 started ===');
   let gamesPlayed = 0;
-  const results = { wins: 0, losses: 0, draws: 0, errors: 0 };
+  const results = { wins: 0, losses: 0, draws: 0, noResults: 0, errors: 0 };
 
   while (gamesPlayed < MAX_GAMES) {
     // Try to resume existing game first
@@ -342,8 +356,9 @@ async function main() {
       if (result.result === 'WIN') results.wins++;
       else if (result.result === 'LOSS') results.losses++;
       else if (result.result === 'DRAW') results.draws++;
+      else if (result.result === 'NO_RESULT') results.noResults++;
       else results.errors++;
-      log(`Record: ${results.wins}W-${results.losses}L-${results.draws}D (${gamesPlayed} games, ${results.errors} errors)`);
+      log(`Record: ${results.wins}W-${results.losses}L-${results.draws}D (${gamesPlayed} games, ${results.noResults} no result, ${results.errors} errors)`);
     }
 
     await sleep(5000);
@@ -352,7 +367,11 @@ async function main() {
   log(`=== Auto-Player finished: ${results.wins}W-${results.losses}L-${results.draws}D ===`);
 }
 
-main().catch(err => {
-  log(`Fatal error: ${err.message}`);
-  process.exit(1);
-});
+module.exports = { chooseMove };
+
+if (require.main === module) {
+  main().catch(err => {
+    log(`Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
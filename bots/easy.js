@@ -0,0 +1,8 @@
+// Uniformly random moves, extended ones included when the ruleset has them
+module.exports = {
+  name: 'easy',
+  description: 'Picks a random move every turn.',
+  move({ state, rng }) {
+    return rng.pick(state.validMoves);
+  },
+};
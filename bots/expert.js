@@ -0,0 +1,153 @@
+/**
+ * Expert bot: models the opponent and plays the best response.
+ *
+ * It counts the opponent's moves by situation — distance (1, 2, 3+) and
+ * whether they were ahead, level or behind — then predicts this turn's move
+ * from those counts, blended with their distance-only habits and a flat
+ * prior. Against a registered opponent it also learns from their recent
+ * finished games (ctx.opponent.history), at a lower weight than the live bout.
+ *
+ * Each candidate move is scored by expected touches for minus touches
+ * against under the game's rules, and the bot samples from a sharp softmax
+ * over those scores so it exploits habits without becoming fully predictable.
+ * Moves come from the ruleset, so extended rulesets bring feint, beat and
+ * flèche into both the prediction and the reply.
+ */
+
+const { movesFor } = require('../engine');
+const { outcomes } = require('../solver');
+
+const PRIOR = 1;            // pseudo-count per move
+const DISTANCE_WEIGHT = 1;  // opponent's habits at this distance
+const SITUATION_WEIGHT = 2; // ...at this distance and score situation
+const PAST_GAMES_WEIGHT = 0.5;
+const TEMPERATURE = 0.12;
+
+function distanceBucket(distance) {
+  return distance >= 3 ? 3 : distance;
+}
+
+function situation(own, other) {
+  return Math.sign(own - other); // -1 behind, 0 level, 1 ahead
+}
+
+// Count what `side` played in each situation over a list of resolved turns
+function countMoves(turns, side, into = { byDistance: {}, bySituation: {} }) {
+  const other = side === 'p1' ? 'p2' : 'p1';
+  let scores = { p1: 0, p2: 0 };
+  for (const t of turns) {
+    const move = t.moves && t.moves[side];
+    if (typeof move === 'string') {
+      const d = distanceBucket(t.distanceBefore);
+      const key = `${d}:${situation(scores[side], scores[other])}`;
+      into.byDistance[d] = into.byDistance[d] || {};
+      into.bySituation[key] = into.bySituation[key] || {};
+      into.byDistance[d][move] = (into.byDistance[d][move] || 0) + 1;
+      into.bySituation[key][move] = (into.bySituation[key][move] || 0) + 1;
+    }
+    scores = t.scores;
+  }
+  return into;
+}
+
+// Past games are fixed for the whole bout, so count them once
+const pastCountsCache = new WeakMap();
+function pastCounts(opponent) {
+  const history = opponent && opponent.history;
+  if (!history || history.length === 0) return null;
+  if (!pastCountsCache.has(history)) {
+    const counts = { byDistance: {}, bySituation: {} };
+    for (const game of history) countMoves(game.turns, game.side, counts);
+    pastCountsCache.set(history, counts);
+  }
+  return pastCountsCache.get(history);
+}
+
+function predict(ctx, moves) {
+  const { state, history, side } = ctx;
+  const opp = side === 'p1' ? 'p2' : 'p1';
+  const d = distanceBucket(state.distance);
+  const key = `${d}:${situation(state.oppScore, state.score)}`;
+  const live = countMoves(history, opp);
+  const past = pastCounts(ctx.opponent);
+
+  const weights = {};
+  let total = 0;
+  for (const m of moves) {
+    weights[m] = PRIOR
+      + DISTANCE_WEIGHT * ((live.byDistance[d] || {})[m] || 0)
+      + SITUATION_WEIGHT * ((live.bySituation[key] || {})[m] || 0);
+    if (past) {
+      weights[m] += PAST_GAMES_WEIGHT * (
+        DISTANCE_WEIGHT * ((past.byDistance[d] || {})[m] || 0)
+        + SITUATION_WEIGHT * ((past.bySituation[key] || {})[m] || 0));
+    }
+    total += weights[m];
+  }
+  for (const m of moves) weights[m] /= total;
+  return weights;
+}
+
+// Expected [my touches, their touches] for one pair of moves, played out
+// by the engine (both ways of a close-hit roll, weighted by its chance) so
+// the model always matches the rules. Cached per game's ruleset object.
+const outcomeCache = new WeakMap();
+function outcome(mine, theirs, distance, side, ruleset) {
+  if (!outcomeCache.has(ruleset)) outcomeCache.set(ruleset, new Map());
+  const cache = outcomeCache.get(ruleset);
+  const key = `${distance}:${side}:${mine}:${theirs}`;
+  if (!cache.has(key)) {
+    const other = side === 'p1' ? 'p2' : 'p1';
+    const [p1Move, p2Move] = side === 'p1' ? [mine, theirs] : [theirs, mine];
+    const from = { overtime: false, turn: 0, distance, p1: 0, p2: 0 };
+    let scored = 0;
+    let conceded = 0;
+    for (const { p, game } of outcomes(ruleset, from, p1Move, p2Move)) {
+      scored += p * game.scores[side];
+      conceded += p * game.scores[other];
+    }
+    cache.set(key, [scored, conceded]);
+  }
+  return cache.get(key);
+}
+
+module.exports = {
+  name: 'expert',
+  description: 'Learns your move habits by distance and score (and from past games for registered names) and counters them.',
+  move(ctx) {
+    const { state, side, ruleset, rng } = ctx;
+    const moves = movesFor(ruleset);
+    const predicted = predict(ctx, moves);
+
+    // Protect a lead, chase a deficit when time is short; in overtime
+    // a double hit doesn't count and the first touch wins
+    const overtime = state.phase === 'overtime';
+    const turnsLeft = state.maxTurns - state.turn;
+    let forWeight = 1;
+    let againstWeight = 1;
+    if (!overtime && state.score > state.oppScore) againstWeight = 1.3;
+    if (!overtime && state.score < state.oppScore && turnsLeft <= 5) forWeight = 1.5;
+
+    const values = moves.map(mine => {
+      let value = 0;
+      for (const theirs of moves) {
+        let [scored, conceded] = outcome(mine, theirs, state.distance, side, ruleset);
+        if (overtime && scored === 1 && conceded === 1) scored = conceded = 0;
+        value += predicted[theirs] * (forWeight * scored - againstWeight * conceded);
+      }
+      // Out of range, closing in beats standing around
+      if (state.distance >= 3 && mine === 'advance') value += 0.05;
+      return value;
+    });
+
+    const best = Math.max(...values);
+    const exp = values.map(v => Math.exp((v - best) / TEMPERATURE));
+    const sum = exp.reduce((a, b) => a + b, 0);
+    let r = rng.next() * sum;
+    for (let i = 0; i < moves.length; i++) {
+      r -= exp[i];
+      if (r < 0) return moves[i];
+    }
+    return moves[moves.length - 1];
+  },
+};
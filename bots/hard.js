@@ -0,0 +1,31 @@
+// Pattern-aware strategy that takes more risks when behind
+module.exports = {
+  name: 'hard',
+  description: 'Presses at distance 1, plays the score at distance 2. Uses feint, beat and flèche when the ruleset has them.',
+  move({ state, rng }) {
+    const { distance, score, oppScore } = state;
+    const extended = state.validMoves.includes('fleche');
+    if (distance === 1) {
+      // At distance 1, usually lunge unless expecting a lunge (then parry)
+      if (extended && rng.next() < 0.3) {
+        // Beat stops a lunge for free; feint catches the parry
+        return rng.next() < 0.6 ? 'beat' : 'feint';
+      }
+      return rng.next() < 0.8 ? 'lunge' : 'parry';
+    } else if (distance === 2) {
+      // Risk/reward at distance 2
+      if (score < oppScore) {
+        // Behind, take risks
+        if (extended && rng.next() < 0.35) return 'fleche';
+        return rng.next() < 0.6 ? 'lunge' : 'advance';
+      }
+      // Ahead or tied, be more cautious; a beat answers lunge and flèche alike
+      if (extended && rng.next() < 0.3) return 'beat';
+      return rng.next() < 0.3 ? 'lunge' : (rng.next() < 0.4 ? 'advance' : 'parry');
+    }
+    // Behind at distance 3, a flèche can steal a touch
+    if (extended && distance === 3 && score < oppScore && rng.next() < 0.3) return 'fleche';
+    // Distance 3+, mostly advance but sometimes retreat to control distance
+    return rng.next() < 0.75 ? 'advance' : 'retreat';
+  },
+};
@@ -0,0 +1,67 @@
+/**
+ * Bot registry for Shellsword.
+ *
+ * Every other .js file in this directory is a bot. A bot module exports:
+ *
+ *   {
+ *     name: 'medium',               // what players pass as "difficulty"
+ *     description: 'One line for GET /api/bots',
+ *     move(ctx) { return 'advance'; }
+ *   }
+ *
+ * ctx is { state, history, ruleset, side, opponent, rng }:
+ *   state    — getGameState() from the bot's side (distance, score, oppScore,
+ *              turn, phase, validMoves, ...)
+ *   history  — resolved turns so far, oldest first ({ turn, moves, scores, ... })
+ *   ruleset  — the game's ruleset
+ *   side     — 'p1' or 'p2'
+ *   opponent — { name, registered, history }; for registered handles history
+ *              holds their recent finished games as { gameId, side, turns }
+ *   rng      — the game's seeded move stream; use it instead of Math.random
+ *              so seeded games stay reproducible
+ *
+ * Bots are loaded once at startup; restart the server to pick up new files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const registry = new Map();
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+  if (!file.endsWith('.js') || file === 'index.js') continue;
+  const bot = require(path.join(__dirname, file));
+  if (!bot || typeof bot.name !== 'string' || typeof bot.move !== 'function') {
+    throw new Error(`bots/${file} must export { name, description, move(ctx) }`);
+  }
+  if (registry.has(bot.name)) throw new Error(`Duplicate bot name "${bot.name}" in bots/${file}`);
+  registry.set(bot.name, bot);
+}
+
+function hasBot(name) {
+  return registry.has(name);
+}
+
+function listBots() {
+  return Array.from(registry.values()).map(b => ({ name: b.name, description: b.description || '' }));
+}
+
+// A missing bot, a throw or an invalid answer falls back to 'advance' so a
+// broken bot can't stall a game
+function chooseMove(name, ctx) {
+  const bot = registry.get(name);
+  if (!bot) {
+    console.error(`[BOT] Unknown bot "${name}", advancing`);
+    return 'advance';
+  }
+  try {
+    const move = bot.move(ctx);
+    if (ctx.state.validMoves.includes(move)) return move;
+    console.error(`[BOT] ${name} returned invalid move ${JSON.stringify(move)}, advancing`);
+  } catch (err) {
+    console.error(`[BOT] ${name} threw:`, err.message);
+  }
+  return 'advance';
+}
+
+module.exports = { hasBot, listBots, chooseMove };
@@ -0,0 +1,19 @@
+// Basic distance-driven strategy
+module.exports = {
+  name: 'medium',
+  description: 'Lunges close in, closes the distance from range. Mixes in feints, beats and flèches when the ruleset has them.',
+  move({ state, rng }) {
+    const { distance } = state;
+    // Extended rulesets: now and then an extended move that reaches
+    if (state.validMoves.includes('fleche') && rng.next() < 0.25) {
+      if (distance <= 2) return rng.next() < 0.5 ? 'feint' : 'beat';
+      if (distance === 3) return 'fleche';
+    }
+    if (distance === 1) {
+      return rng.next() < 0.7 ? 'lunge' : 'parry';
+    } else if (distance === 2) {
+      return rng.next() < 0.4 ? 'lunge' : (rng.next() < 0.5 ? 'advance' : 'parry');
+    }
+    return rng.next() < 0.6 ? 'advance' : 'retreat';
+  },
+};
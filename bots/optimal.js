@@ -0,0 +1,27 @@
+// Plays the equilibrium mixed strategy from solver.js
+const { strategyFor, solvable } = require('../solver');
+
+module.exports = {
+  name: 'optimal',
+  description: 'Samples the game-theoretic equilibrium strategy for the current position. Unexploitable, not exploitative.',
+  move({ state, side, ruleset, rng }) {
+    // Rulesets too big to solve get a random fencer
+    if (!solvable(ruleset)) return rng.pick(state.validMoves);
+
+    const solution = strategyFor(ruleset, {
+      side,
+      distance: state.distance,
+      score: state.score,
+      oppScore: state.oppScore,
+      turn: state.turn,
+      overtimeTurn: state.phase === 'overtime' ? state.overtime.turn : null,
+    });
+    const moves = Object.keys(solution.strategy);
+    let r = rng.next();
+    for (const move of moves) {
+      r -= solution.strategy[move];
+      if (r < 0) return move;
+    }
+    return moves.find(m => solution.strategy[m] > 0);
+  },
+};
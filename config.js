@@ -0,0 +1,124 @@
+/**
+ * Server configuration for Shellsword.
+ *
+ * Every setting has a default below. A JSON config file overrides them
+ * (SHELLSWORD_CONFIG, or shellsword.config.json next to server.js if it
+ * exists), and environment variables override the file: each setting's
+ * variable is its name in UPPER_SNAKE_CASE, e.g.
+ *
+ *   { "turnTimeoutMs": 30000, "joinRateLimit": 600 }
+ *   TURN_TIMEOUT_MS=30000 QUEUE_TIMEOUT_MS=60000 node server.js
+ *
+ * Settings are read when they're used, so a reload (SIGHUP) applies them to
+ * the next turn, queue entry or request. `port` and `webhooksConfig` only
+ * take effect on restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60_000;
+const HOUR = 60 * MINUTE;
+
+// name -> { default, type, min/max for ints, secret? }
+const SETTINGS = {
+  port: { default: 3001, type: 'int', min: 1, max: 65535 },
+  adminToken: { default: null, type: 'string', secret: true },
+  webhooksConfig: { default: path.join(__dirname, 'webhooks.json'), type: 'string' },
+
+  turnTimeoutMs: { default: 5 * MINUTE, type: 'int', min: 1000, max: 24 * HOUR },
+  queueTimeoutMs: { default: 5 * MINUTE, type: 'int', min: 1000, max: 24 * HOUR },
+  queueSweepMs: { default: 5_000, type: 'int', min: 100, max: 10 * MINUTE },
+  botFallbackMs: { default: MINUTE, type: 'int', min: 1000, max: 24 * HOUR },
+  challengeTimeoutMs: { default: 30 * MINUTE, type: 'int', min: 1000, max: 7 * 24 * HOUR },
+  staleGameMs: { default: 30 * MINUTE, type: 'int', min: 1000, max: 7 * 24 * HOUR },
+  cleanupIntervalMs: { default: 5 * MINUTE, type: 'int', min: 1000, max: 24 * HOUR },
+  exhibitionTurnMs: { default: 2_000, type: 'int', min: 0, max: MINUTE },
+
+  matchGapBase: { default: 100, type: 'int', min: 0, max: 4000 },
+  matchGapPerSecond: { default: 5, type: 'number', min: 0, max: 1000 },
+  fallbackBot: { default: 'medium', type: 'string' },
+
+  rateLimitWindowMs: { default: MINUTE, type: 'int', min: 1000, max: HOUR },
+  joinRateLimit: { default: 60, type: 'int', min: 1, max: 100_000 },
+  moveRateLimit: { default: 120, type: 'int', min: 1, max: 100_000 },
+  registerRateLimit: { default: 10, type: 'int', min: 1, max: 100_000 },
+  adminRateLimit: { default: 60, type: 'int', min: 1, max: 100_000 },
+  analysisRateLimit: { default: 60, type: 'int', min: 1, max: 100_000 },
+
+  completedGamesCap: { default: 100, type: 'int', min: 1, max: 100_000 },
+};
+
+function envName(name) {
+  return name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase();
+}
+
+// Coerce and range-check one value. Env values arrive as strings.
+// Returns { value } or { error }.
+function checkSetting(name, raw, fromEnv) {
+  const spec = SETTINGS[name];
+  if (spec.type === 'string') {
+    if (raw === null && spec.default === null) return { value: null };
+    if (typeof raw !== 'string' || !raw) return { error: `${name} must be a non-empty string` };
+    return { value: raw };
+  }
+  const value = fromEnv && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  const integer = spec.type === 'int';
+  if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < spec.min || value > spec.max) {
+    return { error: `${name} must be ${integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}` };
+  }
+  return { value };
+}
+
+// Defaults, then the file, then the environment. Throws one Error listing
+// every problem, so a bad reload can be refused as a whole.
+function loadConfig({ env = process.env, file = env.SHELLSWORD_CONFIG || path.join(__dirname, 'shellsword.config.json') } = {}) {
+  const errors = [];
+  const config = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) config[name] = spec.default;
+
+  let source = null;
+  if (fs.existsSync(file)) {
+    source = file;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file}: expected a JSON object`);
+    for (const [name, raw] of Object.entries(data)) {
+      if (!Object.hasOwn(SETTINGS, name)) { errors.push(`${file}: unknown setting "${name}"`); continue; }
+      const { value, error } = checkSetting(name, raw, false);
+      if (error) errors.push(`${file}: ${error}`);
+      else config[name] = value;
+    }
+  } else if (env.SHELLSWORD_CONFIG) {
+    throw new Error(`SHELLSWORD_CONFIG: ${file} not found`);
+  }
+
+  for (const name of Object.keys(SETTINGS)) {
+    const raw = env[envName(name)];
+    if (raw === undefined) continue;
+    const { value, error } = checkSetting(name, raw, true);
+    if (error) errors.push(`${envName(name)}: ${error}`);
+    else config[name] = value;
+  }
+
+  if (config.botFallbackMs >= config.queueTimeoutMs) {
+    errors.push('botFallbackMs must be shorter than queueTimeoutMs, or fallback bots never play');
+  }
+  if (errors.length) throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  return { config, source };
+}
+
+// The config with secrets replaced by whether they're set
+function publicConfig(config) {
+  const out = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    out[name] = spec.secret ? config[name] !== null : config[name];
+  }
+  return out;
+}
+
+module.exports = { SETTINGS, loadConfig, publicConfig, envName };
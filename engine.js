@@ -0,0 +1,703 @@
+/**
+ * Shellsword game engine: bout state and turn resolution.
+ *
+ * Pure game logic with no I/O — the server wraps it with persistence,
+ * timers and networking, and the strategy solver runs it directly to
+ * enumerate every outcome of a turn. Agents and simulators can embed it:
+ *
+ *   const engine = require('./engine');
+ *   const game = engine.createGame('g1', 42, preset('no-luck'));
+ *   engine.playTurn(game, { p1: 'advance', p2: 'parry' });
+ *   engine.getState(game, 'p1');      // what a player sees
+ *   engine.compactState(game, 'p1');  // the text the server sends
+ *   engine.deserialize(JSON.parse(JSON.stringify(engine.serialize(game))));
+ *
+ * A game is a plain object; anything a host adds to it (names, timers)
+ * is left alone.
+ */
+
+const { createRng, randomSeed, moveStreamSeed } = require('./rng');
+const { preset } = require('./rulesets');
+
+const MOVES = ['advance', 'retreat', 'lunge', 'parry'];
+const EXTENDED_MOVES = ['feint', 'beat', 'fleche']; // rulesets with moveSet: 'extended'
+
+// What a turn came down to, in resolveTurn's priority order
+const OUTCOME_TYPES = [
+  'double_hit',   // both lunge at distance 1 (cancelled in overtime)
+  'riposte',      // a lunge meets a parry; the parrier scores
+  'hit',          // lunge at distance 1
+  'close_hit',    // lunge at distance 2 that lands
+  'miss',         // lunge at distance 2 that doesn't
+  'whiff',        // lunge from 3+; the lunger gives up a step
+  'wasted_parry', // parry with no lunge to meet
+  'clash',        // both advance into each other at distance 1
+  'movement',     // advances and retreats only
+  // extended move set
+  'fleche',       // a flèche from distance 2-3 that lands
+  'feint',        // a feint draws the parry (or slips a beat) and scores
+  'beat',         // a beat knocks the parry aside and scores
+  'deflected',    // a beat knocks a lunge aside; no touch
+  'counter',      // a beat knocks a flèche aside and hits the open attacker
+  // piste mode
+  'off_piste',    // a fencer retreats over the end line and concedes a touch
+];
+
+function createGame(id, seed = randomSeed(), ruleset = preset('classic')) {
+  return {
+    id,
+    seed,
+    ruleset,
+    rng: createRng(seed),                       // close-hit rolls
+    moveRng: createRng(moveStreamSeed(seed)),   // bot moves, timeout moves
+    phase: 'input', // input, overtime, over
+    overtimeTurn: 0,
+    endReason: null, // touches, turn_limit, overtime, overtime_limit; the server adds abandoned, resigned, draw_agreed, aborted, admin_ended, voided
+    turn: 0,
+    distance: ruleset.startDistance,
+    scores: { p1: 0, p2: 0 },
+    moves: { p1: null, p2: null },
+    lastResult: '',
+    winner: null,
+    history: [], // resolved turns, oldest first
+    maxTurns: ruleset.maxTurns,
+    positions: ruleset.strip === 'piste' ? enGarde(ruleset, ruleset.startDistance) : null,
+  };
+}
+
+function movesFor(ruleset) {
+  return ruleset && ruleset.moveSet === 'extended' ? [...MOVES, ...EXTENDED_MOVES] : MOVES;
+}
+
+function validateMove(move, ruleset) {
+  return movesFor(ruleset).includes(move);
+}
+
+function resolveTurn(game) {
+  const { moves, distance, ruleset } = game;
+  const maxDistance = ruleset.maxDistance;
+  const p1Move = moves.p1;
+  const p2Move = moves.p2;
+  
+  let newDistance = distance;
+  let result = '';
+  let scoreP1 = false;
+  let scoreP2 = false;
+  let closeHit = null; // outcome of the distance-2 roll, null if no roll
+  let type = 'movement'; // see OUTCOME_TYPES
+  
+  // Priority order: Extended moves → Both lunge → One lunge + one parry → One lunge + other → Movement
+  
+  // 0. Feint, beat or flèche in play → their own rules
+  if (EXTENDED_MOVES.includes(p1Move) || EXTENDED_MOVES.includes(p2Move)) {
+    const out = resolveExtended(game);
+    ({ result, newDistance, closeHit, type } = out);
+    scoreP1 = out.scores.p1;
+    scoreP2 = out.scores.p2;
+  }
+  // 1. Both lunge at distance 1 → double hit
+  else if (p1Move === 'lunge' && p2Move === 'lunge' && distance === 1) {
+    result = 'Both fencers lunge simultaneously at close range → DOUBLE HIT!';
+    type = 'double_hit';
+    scoreP1 = true;
+    scoreP2 = true;
+  }
+  // 2. One lunge + one parry → check riposte
+  else if ((p1Move === 'lunge' && p2Move === 'parry') || (p1Move === 'parry' && p2Move === 'lunge')) {
+    type = 'riposte';
+    if (p1Move === 'lunge' && p2Move === 'parry') {
+      result = 'P1 lunges → P2 PARRIES → RIPOSTE! P2 scores.';
+      scoreP2 = true;
+    } else {
+      result = 'P2 lunges → P1 PARRIES → RIPOSTE! P1 scores.';
+      scoreP1 = true;
+    }
+  }
+  // 3. One lunge + other move → check distance for hit
+  else if (p1Move === 'lunge' || p2Move === 'lunge') {
+    const lunger = p1Move === 'lunge' ? 'P1' : 'P2';
+    const other = p1Move === 'lunge' ? p2Move : p1Move;
+    const otherPlayer = p1Move === 'lunge' ? 'P2' : 'P1';
+    
+    if (distance === 1) {
+      result = `${lunger} lunges at close range → HIT! ${lunger} scores.`;
+      type = 'hit';
+      if (p1Move === 'lunge') scoreP1 = true;
+      else scoreP2 = true;
+    } else if (distance === 2) {
+      // Close hit is a dice roll (50% under classic rules)
+      const hit = game.rng.next() < ruleset.closeHitChance;
+      closeHit = hit;
+      type = hit ? 'close_hit' : 'miss';
+      if (hit) {
+        result = `${lunger} lunges at medium range → CLOSE HIT! ${lunger} scores.`;
+        if (p1Move === 'lunge') scoreP1 = true;
+        else scoreP2 = true;
+      } else {
+        result = `${lunger} lunges at medium range → miss! ${otherPlayer} ${other}.`;
+        // Apply other player's movement if any
+        if (other === 'advance') newDistance = Math.max(1, newDistance - 1);
+        else if (other === 'retreat') newDistance = Math.min(maxDistance, newDistance + 1);
+      }
+    } else {
+      // Distance 3+: whiff and exposed
+      result = `${lunger} lunges at long range → WHIFF! ${lunger} is exposed. ${otherPlayer} gets free advance.`;
+      type = 'whiff';
+      newDistance = Math.max(1, newDistance - 1);
+      // Apply other player's movement too
+      if (other === 'advance') newDistance = Math.max(1, newDistance - 1);
+      else if (other === 'retreat') newDistance = Math.min(maxDistance, newDistance + 1);
+    }
+  }
+  // 4. Parry without lunge = wasted turn
+  else if ((p1Move === 'parry' && p2Move !== 'lunge') || (p2Move === 'parry' && p1Move !== 'lunge')) {
+    const parryer = p1Move === 'parry' ? 'P1' : 'P2';
+    const other = p1Move === 'parry' ? p2Move : p1Move;
+    const otherPlayer = p1Move === 'parry' ? 'P2' : 'P1';
+    
+    result = `${parryer} parries nothing (wasted turn). ${otherPlayer} ${other}.`;
+    type = 'wasted_parry';
+    
+    // Apply other player's movement
+    if (other === 'advance') newDistance = Math.max(1, newDistance - 1);
+    else if (other === 'retreat') newDistance = Math.min(maxDistance, newDistance + 1);
+  }
+  // 5. Movement only
+  else {
+    let movements = [];
+    if (p1Move === 'advance') movements.push('P1 advances');
+    if (p2Move === 'advance') movements.push('P2 advances'); 
+    if (p1Move === 'retreat') movements.push('P1 retreats');
+    if (p2Move === 'retreat') movements.push('P2 retreats');
+    
+    result = movements.length ? movements.join(', ') + '.' : 'Both fencers stay in position.';
+    
+    // Calculate distance change
+    let distanceChange = 0;
+    if (p1Move === 'advance') distanceChange--;
+    if (p1Move === 'retreat') distanceChange++;
+    if (p2Move === 'advance') distanceChange--;
+    if (p2Move === 'retreat') distanceChange++;
+    
+    newDistance = Math.max(1, Math.min(maxDistance, distance + distanceChange));
+    
+    // Special case: both advance to distance 1 = clash
+    if (p1Move === 'advance' && p2Move === 'advance' && newDistance <= 1) {
+      newDistance = 1;
+      result = 'Both fencers advance → CLASH! Distance stays at 1.';
+      type = 'clash';
+    }
+  }
+  
+  // Piste mode: the fencers move on the strip, and the end line can cost a touch
+  const piste = !!game.positions;
+  if (piste) {
+    const moved = movePiste(game);
+    game.positions = { p1: moved.p1, p2: moved.p2 };
+    newDistance = moved.p2 - moved.p1;
+    for (const side of moved.off) {
+      const who = side.toUpperCase();
+      if (ruleset.endLine === 'touch') {
+        const other = side === 'p1' ? 'p2' : 'p1';
+        const already = other === 'p1' ? scoreP1 : scoreP2;
+        result += ` ${who} retreats off the end of the piste → touch to ${other.toUpperCase()}.`;
+        if (other === 'p1') scoreP1 = true;
+        else scoreP2 = true;
+        if (!already) type = scoreP1 && scoreP2 ? 'double_hit' : 'off_piste';
+      } else {
+        result += ` ${who} is at the end of the piste and can't retreat further.`;
+      }
+    }
+  }
+  
+  // Overtime: a double hit doesn't count, both fencers go back to the lines
+  const overtime = game.phase === 'overtime';
+  let reset = false;
+  if (overtime && scoreP1 && scoreP2) {
+    scoreP1 = false;
+    scoreP2 = false;
+    reset = true;
+    result += ` Double hits don't count in overtime — distance resets to ${ruleset.resetDistance}.`;
+  }
+  
+  // Update scores
+  if (scoreP1) game.scores.p1++;
+  if (scoreP2) game.scores.p2++;
+  
+  // Reset distance if someone scored (except double hit, unless on a piste)
+  if ((scoreP1 || scoreP2) && (!(scoreP1 && scoreP2) || piste)) {
+    reset = true;
+    result += ` Distance resets to ${ruleset.resetDistance}.`;
+  }
+  if (reset) {
+    newDistance = ruleset.resetDistance;
+    if (piste) game.positions = enGarde(ruleset, newDistance);
+  }
+  
+  // Update game state
+  game.distance = newDistance;
+  game.turn++;
+  game.lastResult = result;
+  game.moves = { p1: null, p2: null };
+  
+  // Check win conditions
+  const target = ruleset.touchesToWin;
+  if (overtime) {
+    // Sudden death: the first single touch wins
+    game.overtimeTurn++;
+    if (scoreP1 || scoreP2) {
+      endGame(game, scoreP1 ? 'p1' : 'p2', 'overtime');
+    } else if (game.overtimeTurn >= ruleset.overtimeTurns) {
+      endGame(game, 'draw', 'overtime_limit');
+      game.lastResult += ` Overtime limit (${ruleset.overtimeTurns} turns) reached — DRAW.`;
+    }
+  } else if (game.scores.p1 >= target && game.scores.p2 >= target) {
+    startOvertime(game, `Both fencers reach ${target}`);
+  } else if (game.scores.p1 >= target) {
+    endGame(game, 'p1', 'touches');
+  } else if (game.scores.p2 >= target) {
+    endGame(game, 'p2', 'touches');
+  } else if (game.turn >= game.maxTurns) {
+    // Tiebreak: most touches, then sudden-death overtime
+    if (game.scores.p1 > game.scores.p2) {
+      endGame(game, 'p1', 'turn_limit');
+    } else if (game.scores.p2 > game.scores.p1) {
+      endGame(game, 'p2', 'turn_limit');
+    } else {
+      startOvertime(game, `Tied at ${game.maxTurns} turns`);
+    }
+  }
+  
+  // Record the turn once its outcome is final
+  game.history.push({
+    turn: game.turn,
+    moves: { p1: p1Move, p2: p2Move },
+    distanceBefore: distance,
+    distanceAfter: game.distance,
+    scores: { p1: game.scores.p1, p2: game.scores.p2 },
+    closeHit,
+    type,
+    scorer: scoreP1 && scoreP2 ? 'both' : scoreP1 ? 'p1' : scoreP2 ? 'p2' : null,
+    positions: game.positions ? { ...game.positions } : null,
+    result: game.lastResult,
+    timestamp: Date.now(),
+  });
+  
+  return game.lastResult;
+}
+
+// ---- Extended moves ----
+//
+// Feint and beat reach distance 1-2, the flèche 2-3. Against each other,
+// in reach (attacker's view):
+//
+//            vs parry     vs lunge       vs feint   vs beat      vs move
+//   feint    scores       lunge lands*   nothing    scores       nothing
+//   beat     scores       no touch       feint      counter‡     nothing
+//   flèche   riposte      scores†        scores     countered‡   scores
+//
+// * as against any undefended fencer: certain at 1, a roll at 2
+// † at distance 2 the lunge still rolls; if it lands it's a double hit
+// ‡ the flèche's cost: beaten, the flècheur has run in with no cover and
+//   the beater scores (a beaten lunge costs nothing)
+//
+// Out of reach a feint or beat does nothing and a flèche overruns: a whiff
+// that gives the opponent a free step, like a long lunge.
+function extendedAction(move, distance) {
+  if (move === 'feint' || move === 'beat') return distance <= 2 ? move : 'idle';
+  if (move === 'fleche') return distance === 2 || distance === 3 ? 'fleche' : 'overrun';
+  return move;
+}
+
+// A turn where at least one fencer used an extended move.
+// Returns { result, scores: { p1, p2 }, newDistance, closeHit, type }.
+function resolveExtended(game) {
+  const { distance, ruleset } = game;
+  const act = { p1: extendedAction(game.moves.p1, distance), p2: extendedAction(game.moves.p2, distance) };
+  const NAME = { p1: 'P1', p2: 'P2' };
+  const opp = side => (side === 'p1' ? 'p2' : 'p1');
+  // The side playing `a` against `b`, or null
+  const versus = (a, b) => (act.p1 === a && act.p2 === b ? 'p1' : act.p2 === a && act.p1 === b ? 'p2' : null);
+  const fleche = act.p1 === 'fleche' ? 'p1' : act.p2 === 'fleche' ? 'p2' : null;
+  const out = { result: '', scores: { p1: false, p2: false }, newDistance: distance, closeHit: null, type: 'movement' };
+  let s;
+
+  if (act.p1 === 'fleche' && act.p2 === 'fleche') {
+    out.result = 'Both fencers flèche → DOUBLE HIT!';
+    out.scores = { p1: true, p2: true };
+    out.type = 'double_hit';
+  } else if ((s = versus('fleche', 'parry'))) {
+    out.result = `${NAME[s]} flèches → ${NAME[opp(s)]} PARRIES → RIPOSTE! ${NAME[opp(s)]} scores.`;
+    out.scores[opp(s)] = true;
+    out.type = 'riposte';
+  } else if ((s = versus('fleche', 'beat'))) {
+    out.result = `${NAME[s]} flèches → ${NAME[opp(s)]} BEATS the blade aside and hits the open attacker → COUNTER! ${NAME[opp(s)]} scores.`;
+    out.scores[opp(s)] = true;
+    out.type = 'counter';
+  } else if ((s = versus('fleche', 'lunge')) && distance === 2) {
+    out.closeHit = game.rng.next() < ruleset.closeHitChance;
+    if (out.closeHit) {
+      out.result = `${NAME[s]} flèches, ${NAME[opp(s)]} lunges → both land → DOUBLE HIT!`;
+      out.scores = { p1: true, p2: true };
+      out.type = 'double_hit';
+    } else {
+      out.result = `${NAME[s]} FLÈCHES under ${NAME[opp(s)]}'s short lunge → HIT! ${NAME[s]} scores.`;
+      out.scores[s] = true;
+      out.type = 'fleche';
+    }
+  } else if (fleche) {
+    out.result = `${NAME[fleche]} FLÈCHES from distance ${distance} → HIT! ${NAME[fleche]} scores.`;
+    out.scores[fleche] = true;
+    out.type = 'fleche';
+  } else if ((s = versus('feint', 'parry'))) {
+    out.result = `${NAME[s]} feints → ${NAME[opp(s)]} bites on the parry → HIT! ${NAME[s]} scores.`;
+    out.scores[s] = true;
+    out.type = 'feint';
+  } else if ((s = versus('feint', 'beat'))) {
+    out.result = `${NAME[opp(s)]} beats at the blade → ${NAME[s]} disengages out of the feint → HIT! ${NAME[s]} scores.`;
+    out.scores[s] = true;
+    out.type = 'feint';
+  } else if ((s = versus('beat', 'parry'))) {
+    out.result = `${NAME[s]} BEATS the parrying blade aside → HIT! ${NAME[s]} scores.`;
+    out.scores[s] = true;
+    out.type = 'beat';
+  } else if ((s = versus('beat', 'lunge'))) {
+    out.result = `${NAME[opp(s)]} lunges → ${NAME[s]} BEATS the blade aside! No touch.`;
+    out.type = 'deflected';
+  } else {
+    resolveOpenPlay(game, act, out);
+  }
+  return out;
+}
+
+// No blade contact: a lunge or overrun flèche against feints, beats and
+// footwork. Each action plays out on its own; steps add up.
+function resolveOpenPlay(game, act, out) {
+  const { distance, ruleset } = game;
+  const parts = [];
+  let step = 0;
+  let parried = false;
+  let whiffed = false;
+
+  for (const side of ['p1', 'p2']) {
+    const who = side.toUpperCase();
+    const a = act[side];
+    if (a === 'lunge') {
+      if (distance === 1) {
+        parts.push(`${who} lunges at close range → HIT! ${who} scores.`);
+        out.scores[side] = true;
+        out.type = 'hit';
+      } else if (distance === 2) {
+        out.closeHit = game.rng.next() < ruleset.closeHitChance;
+        out.scores[side] = out.closeHit;
+        out.type = out.closeHit ? 'close_hit' : 'miss';
+        parts.push(out.closeHit
+          ? `${who} lunges at medium range → CLOSE HIT! ${who} scores.`
+          : `${who} lunges at medium range → miss!`);
+      } else {
+        parts.push(`${who} lunges at long range → WHIFF! ${who} is exposed.`);
+        step--;
+        whiffed = true;
+      }
+    } else if (a === 'overrun') {
+      parts.push(`${who} flèches from out of reach → WHIFF! ${who} is exposed.`);
+      step--;
+      whiffed = true;
+    } else if (a === 'advance') {
+      parts.push(`${who} advances.`);
+      step--;
+    } else if (a === 'retreat') {
+      parts.push(`${who} retreats.`);
+      step++;
+    } else if (a === 'parry') {
+      parts.push(`${who} parries nothing.`);
+      parried = true;
+    } else {
+      const verb = game.moves[side] === 'feint' ? 'feints' : 'beats';
+      parts.push(a === 'idle' ? `${who} ${verb} out of reach.` : `${who} ${verb} at nothing.`);
+    }
+  }
+
+  out.result = parts.join(' ');
+  out.newDistance = Math.max(1, Math.min(ruleset.maxDistance, distance + step));
+  if (out.type === 'movement') out.type = whiffed ? 'whiff' : parried ? 'wasted_parry' : 'movement';
+}
+
+// ---- Piste mode ----
+//
+// Rulesets with strip: 'piste' track where each fencer stands on a strip
+// 0..pisteLength: P1 faces up the piste from 0, P2 down from the far end,
+// and distance is the gap between them. Footwork moves the fencer itself,
+// a whiff gives the opponent a free step, and nobody can pass: when both
+// press forward the one with less room behind takes the ground. Retreating
+// over the end line is blocked or concedes a touch (ruleset.endLine). Every
+// touch sends both back to the en-garde lines.
+
+function enGarde(ruleset, distance) {
+  const p1 = Math.floor((ruleset.pisteLength - distance) / 2);
+  return { p1, p2: p1 + distance };
+}
+
+// Steps each fencer takes toward the other this turn (negative = back)
+function pisteSteps(game) {
+  const { moves, distance } = game;
+  const steps = { p1: 0, p2: 0 };
+  for (const side of ['p1', 'p2']) {
+    const other = side === 'p1' ? 'p2' : 'p1';
+    const move = moves[side];
+    if (move === 'advance') steps[side]++;
+    if (move === 'retreat') steps[side]--;
+    // Touches reset the positions anyway, so any long lunge here whiffed
+    const action = extendedAction(move, distance);
+    if ((action === 'lunge' && distance >= 3) || action === 'overrun') steps[other]++;
+  }
+  return steps;
+}
+
+// New positions and the sides that stepped off the piste
+function movePiste(game) {
+  const length = game.ruleset.pisteLength;
+  const from = game.positions;
+  const steps = pisteSteps(game);
+  let p1 = from.p1 + steps.p1;
+  let p2 = from.p2 - steps.p2;
+
+  while (p2 - p1 < 1) {
+    const p1Pressed = p1 > from.p1;
+    const p2Pressed = p2 < from.p2;
+    let yields = p1Pressed ? 'p1' : 'p2';
+    if (p1Pressed && p2Pressed) {
+      const room = { p1: from.p1, p2: length - from.p2 };
+      yields = room.p1 > room.p2 ? 'p1' : room.p2 > room.p1 ? 'p2' : (game.turn % 2 === 0 ? 'p1' : 'p2');
+    }
+    if (yields === 'p1') p1--;
+    else p2++;
+  }
+
+  const off = [];
+  if (p1 < 0) { off.push('p1'); p1 = 0; }
+  if (p2 > length) { off.push('p2'); p2 = length; }
+  return { p1, p2, off };
+}
+
+// Positions from one side: room behind you before the end line
+function pisteView(game, side) {
+  const { p1, p2 } = game.positions;
+  const length = game.ruleset.pisteLength;
+  const behind = { p1, p2: length - p2 };
+  const view = { length, p1, p2 };
+  if (side === 'p1' || side === 'p2') {
+    view.roomBehind = behind[side];
+    view.oppRoomBehind = behind[side === 'p1' ? 'p2' : 'p1'];
+  }
+  return view;
+}
+
+function endGame(game, winner, endReason) {
+  game.winner = winner;
+  game.endReason = endReason;
+  game.phase = 'over';
+}
+
+function startOvertime(game, reason) {
+  game.phase = 'overtime';
+  game.overtimeTurn = 0;
+  game.distance = game.ruleset.resetDistance;
+  if (game.positions) game.positions = enGarde(game.ruleset, game.distance);
+  game.lastResult += ` ${reason} → SUDDEN DEATH OVERTIME! First single touch wins (max ${game.ruleset.overtimeTurns} turns). Distance ${game.distance}.`;
+}
+
+// Both regulation and overtime turns take moves
+function acceptsMoves(game) {
+  return game.phase === 'input' || game.phase === 'overtime';
+}
+
+// Record one side's move. Returns an error message, or null if accepted.
+function setMove(game, side, move) {
+  if (!acceptsMoves(game)) return 'Not in input phase';
+  if (game.moves[side]) return 'Already submitted move this turn';
+  if (!validateMove(move, game.ruleset)) return `move must be: ${movesFor(game.ruleset).join('/')}`;
+  game.moves[side] = move;
+  return null;
+}
+
+function bothMoved(game) {
+  return !!(game.moves.p1 && game.moves.p2);
+}
+
+// Play a whole turn at once. Returns the turn's history record; throws if
+// either move can't be made.
+function playTurn(game, { p1, p2 }) {
+  for (const [side, move] of [['p1', p1], ['p2', p2]]) {
+    const error = setMove(game, side, move);
+    if (error) throw new Error(`${side}: ${error}`);
+  }
+  resolveTurn(game);
+  return game.history[game.history.length - 1];
+}
+
+// ---- Views ----
+
+// The last resolved turn as a structured outcome, null before the first
+function lastOutcome(game) {
+  const t = game.history[game.history.length - 1];
+  if (!t) return null;
+  return {
+    type: t.type,
+    moves: t.moves,
+    scorer: t.scorer,
+    distanceBefore: t.distanceBefore,
+    distanceAfter: t.distanceAfter,
+    closeHit: t.closeHit,
+    positions: t.positions || null,
+    result: t.result,
+  };
+}
+
+// The game from one side: scores as yours/theirs
+function getState(game, side) {
+  const opp = side === 'p1' ? 'p2' : 'p1';
+  return {
+    turn: game.turn,
+    distance: game.distance,
+    score: game.scores[side],
+    oppScore: game.scores[opp],
+    lastResult: game.lastResult,
+    lastOutcome: lastOutcome(game),
+    validMoves: [...movesFor(game.ruleset)],
+    phase: game.phase,
+    winner: game.winner,
+    endReason: game.endReason,
+    maxTurns: game.maxTurns,
+    overtime: game.phase === 'overtime' || game.overtimeTurn > 0
+      ? { turn: game.overtimeTurn, maxTurns: game.ruleset.overtimeTurns }
+      : null,
+    ruleset: game.ruleset,
+    piste: game.positions ? pisteView(game, side) : null,
+  };
+}
+
+// Render a getState() view as the compact text players read. The server
+// adds `series` and `drawOffer` to the view; they're rendered when present.
+function formatState(state, side) {
+  const rulesTag = state.ruleset.name === 'classic' ? '' : ` [${state.ruleset.name}: first to ${state.ruleset.touchesToWin}]`;
+  const overtimeTag = state.phase === 'overtime' ? ` | OVERTIME ${state.overtime.turn}/${state.overtime.maxTurns} (next touch wins)` : '';
+  const lines = [
+    `SHELLSWORD${rulesTag} | Touch ${state.score}-${state.oppScore} | Dist:${state.distance} | Turn ${state.turn}/${state.maxTurns}${overtimeTag}`,
+  ];
+
+  if (state.lastResult) {
+    lines.push(`last: ${state.lastResult}`);
+  }
+
+  if (state.piste) {
+    lines.push(`piste: ${state.piste.roomBehind} steps behind you, ${state.piste.oppRoomBehind} behind opponent`);
+  }
+
+  if (state.series && state.series.score !== undefined) {
+    lines.push(`series: Game ${state.series.game} of best-of-${state.series.bestOf} | You ${state.series.score}-${state.series.oppScore}`);
+  }
+
+  if (state.drawOffer) {
+    lines.push(state.drawOffer.by === 'you'
+      ? 'draw: you offered a draw, waiting for an answer'
+      : 'draw: opponent offers a draw (POST /api/draw/accept or /api/draw/decline)');
+  }
+
+  lines.push(`valid: ${state.validMoves.join('/')}`);
+
+  if (state.phase === 'over') {
+    const resigned = state.endReason === 'resigned';
+    let endMsg = '';
+    if (state.winner === side) endMsg = resigned ? 'You WIN — opponent resigned.' : 'You WIN!';
+    else if (state.winner === 'draw') endMsg = state.endReason === 'draw_agreed' ? 'DRAW — agreed.' : 'DRAW — overtime ended without a touch.';
+    else if (state.winner === 'abandoned') endMsg = 'Game abandoned (no activity).';
+    else if (state.winner === 'aborted') endMsg = 'Game aborted before the first turn (unrated).';
+    else if (state.winner === 'void') endMsg = 'Game voided by an administrator (no result).';
+    else endMsg = resigned ? 'You resigned.' : 'You lose.';
+    lines.push(`GAME OVER: ${endMsg}`);
+    if (state.series && state.series.nextGameId) {
+      lines.push(`SERIES CONTINUES: game ${state.series.game + 1} has started — keep using the same token.`);
+    } else if (state.series && state.series.outcome) {
+      const outcome = { win: 'You WIN the series', loss: 'You lose the series', draw: 'Series drawn', abandoned: 'Series abandoned' }[state.series.outcome];
+      lines.push(`SERIES OVER: ${outcome} ${state.series.score}-${state.series.oppScore}.`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function compactState(game, side) {
+  return formatState(getState(game, side), side);
+}
+
+// ---- Persistence ----
+
+// Everything needed to resume a game, JSON-safe. Random streams are saved
+// by state, so a restored game rolls exactly as the original would have.
+function serialize(game) {
+  return {
+    id: game.id,
+    seed: game.seed,
+    ruleset: game.ruleset,
+    phase: game.phase,
+    overtimeTurn: game.overtimeTurn,
+    endReason: game.endReason,
+    turn: game.turn,
+    distance: game.distance,
+    scores: { ...game.scores },
+    moves: { ...game.moves },
+    lastResult: game.lastResult,
+    winner: game.winner,
+    maxTurns: game.maxTurns,
+    positions: game.positions,
+    history: game.history,
+    rngState: game.rng.state,
+    moveRngState: game.moveRng.state,
+  };
+}
+
+function deserialize(data) {
+  // Games saved before rulesets existed were all classic
+  const game = createGame(data.id, data.seed, { ...preset('classic'), ...data.ruleset });
+  if (data.seed !== undefined) {
+    game.rng = createRng(data.seed, data.rngState);
+    game.moveRng = createRng(moveStreamSeed(data.seed), data.moveRngState);
+  }
+  game.phase = data.phase;
+  game.overtimeTurn = data.overtimeTurn || 0;
+  game.endReason = data.endReason || null;
+  game.turn = data.turn;
+  game.distance = data.distance;
+  game.scores = { ...data.scores };
+  game.moves = { ...data.moves };
+  game.lastResult = data.lastResult;
+  game.winner = data.winner;
+  game.maxTurns = data.maxTurns || game.ruleset.maxTurns;
+  game.positions = data.positions || null;
+  game.history = data.history || [];
+  return game;
+}
+
+module.exports = {
+  MOVES,
+  EXTENDED_MOVES,
+  OUTCOME_TYPES,
+  movesFor,
+  createGame,
+  validateMove,
+  setMove,
+  bothMoved,
+  resolveTurn,
+  playTurn,
+  endGame,
+  startOvertime,
+  acceptsMoves,
+  getState,
+  pisteView,
+  lastOutcome,
+  formatState,
+  compactState,
+  serialize,
+  deserialize,
+};
@@ -0,0 +1,70 @@
+/**
+ * Seeded PRNG for Shellsword.
+ *
+ * mulberry32: 32 bits of state, fast, and good enough for close-hit rolls
+ * and bot choices. The whole state is a single uint32, so a game can store
+ * it in state_json and pick up exactly where it left off after a restart.
+ */
+
+const crypto = require('crypto');
+
+function createRng(seed, state = seed) {
+  let s = state >>> 0;
+
+  return {
+    seed: seed >>> 0,
+
+    // Float in [0, 1)
+    next() {
+      s = (s + 0x6D2B79F5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    // Integer in [0, n)
+    int(n) {
+      return Math.floor(this.next() * n);
+    },
+
+    pick(items) {
+      return items[this.int(items.length)];
+    },
+
+    get state() {
+      return s;
+    },
+  };
+}
+
+function randomSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+// Accepts a non-negative integer or any non-empty string (hashed with
+// FNV-1a). Returns a uint32, or null if the input can't be used as a seed.
+function normalizeSeed(input) {
+  if (typeof input === 'number') {
+    return Number.isInteger(input) && input >= 0 ? input >>> 0 : null;
+  }
+  if (typeof input === 'string' && input.length > 0) {
+    if (/^\d+$/.test(input)) return Number(input) >>> 0;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  return null;
+}
+
+// Bots and timeout moves draw from their own stream so that the resolution
+// stream only ever sees close-hit rolls — replaying the recorded moves
+// reproduces the rolls exactly.
+function moveStreamSeed(seed) {
+  return (seed ^ 0x9E3779B9) >>> 0;
+}
+
+module.exports = { createRng, randomSeed, normalizeSeed, moveStreamSeed };
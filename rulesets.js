@@ -0,0 +1,129 @@
+/**
+ * Rulesets for Shellsword.
+ *
+ * A ruleset is a plain object stored with each game (state_json) so a bout
+ * always finishes under the rules it started with. Games pick a named preset
+ * or a preset plus overrides:
+ *
+ *   "long-bout"
+ *   { "preset": "classic", "touchesToWin": 5 }
+ */
+
+const CLASSIC = {
+  touchesToWin: 3,     // first to N touches wins
+  maxDistance: 6,      // strip length: distance is clamped to 1..maxDistance
+  startDistance: 4,    // en-garde distance at turn 0
+  resetDistance: 4,    // distance after a single touch
+  closeHitChance: 0.5, // chance a lunge at distance 2 lands
+  maxTurns: 30,        // turn limit before the tiebreak
+  overtimeTurns: 10,   // sudden-death turns before the bout is a draw
+  moveSet: 'classic',  // 'extended' adds feint, beat and flèche
+  strip: 'open',       // 'piste' tracks positions on a strip with end lines
+  pisteLength: 14,     // piste mode: strip length, positions 0..pisteLength
+  endLine: 'touch',    // piste mode: retreating over the end line concedes a touch, or 'block'
+};
+
+const PRESETS = {
+  classic: {
+    description: 'First to 3, strip 1-6, 50% close hit, 30 turns.',
+    rules: CLASSIC,
+  },
+  'long-bout': {
+    description: 'First to 5 on a longer strip (1-8), reset to 5, 50 turns.',
+    rules: { ...CLASSIC, touchesToWin: 5, maxDistance: 8, startDistance: 5, resetDistance: 5, maxTurns: 50 },
+  },
+  'no-luck': {
+    description: 'Classic, but a lunge at distance 2 never lands. No dice at all.',
+    rules: { ...CLASSIC, closeHitChance: 0 },
+  },
+  extended: {
+    description: 'Classic plus feint, beat and flèche.',
+    rules: { ...CLASSIC, moveSet: 'extended' },
+  },
+  piste: {
+    description: 'Classic on a 14-step piste: no endless retreat, stepping off the end concedes a touch.',
+    rules: { ...CLASSIC, strip: 'piste' },
+  },
+};
+
+// [min, max, integer?] for every tunable field
+const LIMITS = {
+  touchesToWin: [1, 15, true],
+  maxDistance: [3, 20, true],
+  startDistance: [1, 20, true],
+  resetDistance: [1, 20, true],
+  closeHitChance: [0, 1, false],
+  maxTurns: [1, 500, true],
+  overtimeTurns: [1, 100, true],
+  pisteLength: [6, 40, true],
+};
+
+// Allowed values for the non-numeric fields
+const CHOICES = {
+  moveSet: ['classic', 'extended'],
+  strip: ['open', 'piste'],
+  endLine: ['touch', 'block'],
+};
+
+function preset(name) {
+  return { name, ...PRESETS[name].rules };
+}
+
+// Turn a request's "ruleset" option into a full ruleset.
+// Returns { ruleset } or { error }.
+function resolveRuleset(input) {
+  if (input === undefined || input === null || input === '') return { ruleset: preset('classic') };
+
+  if (typeof input === 'string') {
+    if (!Object.hasOwn(PRESETS, input)) return { error: `Unknown ruleset "${input}". Presets: ${Object.keys(PRESETS).join(', ')}` };
+    return { ruleset: preset(input) };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'ruleset must be a preset name or an object' };
+  }
+
+  const base = input.preset || 'classic';
+  if (!Object.hasOwn(PRESETS, base)) return { error: `Unknown ruleset preset "${base}"` };
+  const ruleset = preset(base);
+
+  let overridden = false;
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'preset') continue;
+    if (Object.hasOwn(CHOICES, key)) {
+      if (!CHOICES[key].includes(value)) return { error: `ruleset.${key} must be one of: ${CHOICES[key].join(', ')}` };
+      if (value !== ruleset[key]) overridden = true;
+      ruleset[key] = value;
+      continue;
+    }
+    if (!Object.hasOwn(LIMITS, key)) return { error: `Unknown ruleset field "${key}"` };
+    const [min, max, integer] = LIMITS[key];
+    if (typeof value !== 'number' || Number.isNaN(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      return { error: `ruleset.${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` };
+    }
+    if (value !== ruleset[key]) overridden = true;
+    ruleset[key] = value;
+  }
+
+  if (ruleset.startDistance > ruleset.maxDistance || ruleset.resetDistance > ruleset.maxDistance) {
+    return { error: 'ruleset.startDistance and ruleset.resetDistance must not exceed maxDistance' };
+  }
+  if (ruleset.strip === 'piste' && Math.max(ruleset.startDistance, ruleset.resetDistance) > ruleset.pisteLength - 2) {
+    return { error: 'ruleset.pisteLength must leave room to retreat: at least startDistance and resetDistance + 2' };
+  }
+
+  if (overridden) ruleset.name = 'custom';
+  return { ruleset };
+}
+
+// Two games use the same rules if every tunable field matches. Rulesets
+// stored before a field existed have its classic value.
+function rulesetKey(ruleset) {
+  return [...Object.keys(LIMITS), ...Object.keys(CHOICES)].map(k => `${k}=${ruleset[k] ?? CLASSIC[k]}`).join(';');
+}
+
+function listPresets() {
+  return Object.entries(PRESETS).map(([name, p]) => ({ name, description: p.description, ...p.rules }));
+}
+
+module.exports = { CLASSIC, resolveRuleset, rulesetKey, listPresets, preset };
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Shellsword bulk simulator — bot vs bot, in-process, no server needed.
+ *
+ *   node simulate.js expert hard --games 5000 --ruleset long-bout --seed 42
+ *   node simulate.js auto-player optimal --json
+ *
+ * Strategies are the bots in bots/ plus "auto-player" (auto-player.js's
+ * chooseMove). Game N is played with seed + N, and the strategies swap sides
+ * every game so neither profits from being P1. Results are from the first
+ * strategy's point of view, with 95% Wilson intervals on the rates.
+ */
+
+const { createGame, playTurn, acceptsMoves, getState } = require('./engine');
+const { resolveRuleset } = require('./rulesets');
+const { randomSeed, normalizeSeed } = require('./rng');
+const bots = require('./bots');
+const autoPlayer = require('./auto-player');
+
+const USAGE = `Usage: node simulate.js <strategyA> <strategyB> [options]
+
+Options:
+  --games N        games to play (default 1000)
+  --ruleset R      preset name or JSON object (default classic)
+  --seed S         base seed, integer or string (default random)
+  --json           print the report as JSON
+  --list           list strategies and exit`;
+
+const MAX_GAMES = 1_000_000;
+const Z_95 = 1.959964;
+
+function strategyNames() {
+  return [...bots.listBots().map(b => b.name), 'auto-player'];
+}
+
+function parseArgs(argv) {
+  const opts = { games: 1000, ruleset: undefined, seed: null, json: false, list: false, strategies: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--games') opts.games = Number(value());
+    else if (arg === '--ruleset') opts.ruleset = value();
+    else if (arg === '--seed') opts.seed = value();
+    else if (arg === '--json') opts.json = true;
+    else if (arg === '--list') opts.list = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else opts.strategies.push(arg);
+  }
+  return opts;
+}
+
+// A player keeps whatever per-game memory its strategy needs
+function createPlayer(strategy, opponentName) {
+  const recent = []; // auto-player's deadlock tracker
+  return (game, side) => {
+    const state = getState(game, side);
+    if (strategy === 'auto-player') {
+      return autoPlayer.chooseMove(state, () => game.moveRng.next(), recent);
+    }
+    return bots.chooseMove(strategy, {
+      state,
+      history: game.history,
+      ruleset: game.ruleset,
+      side,
+      opponent: { name: opponentName, registered: false, history: [] },
+      rng: game.moveRng,
+    });
+  };
+}
+
+function playGame(seed, ruleset, p1Strategy, p2Strategy) {
+  const game = createGame(`sim_${seed}`, seed, ruleset);
+  const p1 = createPlayer(p1Strategy, p2Strategy);
+  const p2 = createPlayer(p2Strategy, p1Strategy);
+  while (acceptsMoves(game)) {
+    playTurn(game, { p1: p1(game, 'p1'), p2: p2(game, 'p2') });
+  }
+  return game;
+}
+
+// 95% Wilson score interval for k successes in n trials
+function wilson(k, n) {
+  if (n === 0) return [0, 1];
+  const p = k / n;
+  const z2 = Z_95 * Z_95;
+  const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half = (Z_95 / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+function rate(k, n) {
+  const [low, high] = wilson(k, n);
+  return { count: k, rate: n ? k / n : 0, ci95: [low, high] };
+}
+
+function simulate({ a, b, games, ruleset, seed }) {
+  const tally = { win: 0, loss: 0, draw: 0 };
+  const asP1 = { games: 0, wins: 0 };
+  const scores = {};
+  const endReasons = {};
+  let turns = 0;
+  let minTurns = Infinity;
+  let maxTurns = 0;
+
+  for (let i = 0; i < games; i++) {
+    const aSide = i % 2 === 0 ? 'p1' : 'p2';
+    const bSide = aSide === 'p1' ? 'p2' : 'p1';
+    const game = aSide === 'p1'
+      ? playGame((seed + i) >>> 0, ruleset, a, b)
+      : playGame((seed + i) >>> 0, ruleset, b, a);
+
+    const result = game.winner === aSide ? 'win' : game.winner === bSide ? 'loss' : 'draw';
+    tally[result]++;
+    if (aSide === 'p1') {
+      asP1.games++;
+      if (result === 'win') asP1.wins++;
+    }
+    const score = `${game.scores[aSide]}-${game.scores[bSide]}`;
+    scores[score] = (scores[score] || 0) + 1;
+    endReasons[game.endReason] = (endReasons[game.endReason] || 0) + 1;
+    turns += game.turn;
+    minTurns = Math.min(minTurns, game.turn);
+    maxTurns = Math.max(maxTurns, game.turn);
+  }
+
+  const byCount = (obj) => Object.fromEntries(Object.entries(obj).sort((x, y) => y[1] - x[1]));
+  return {
+    a,
+    b,
+    games,
+    seed,
+    ruleset,
+    wins: rate(tally.win, games),
+    losses: rate(tally.loss, games),
+    draws: rate(tally.draw, games),
+    winsAsP1: rate(asP1.wins, asP1.games),
+    winsAsP2: rate(tally.win - asP1.wins, games - asP1.games),
+    turns: { mean: turns / games, min: minTurns, max: maxTurns },
+    scores: byCount(scores),
+    endReasons: byCount(endReasons),
+  };
+}
+
+function pct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+function formatRate(label, r) {
+  return `  ${label.padEnd(8)} ${String(r.count).padStart(7)}  ${pct(r.rate).padStart(6)}  [${pct(r.ci95[0])}, ${pct(r.ci95[1])}]`;
+}
+
+function formatReport(report) {
+  const lines = [
+    `${report.a} vs ${report.b} — ${report.games} games, ruleset ${report.ruleset.name}, seed ${report.seed}`,
+    '',
+    `Results for ${report.a} (95% CI):`,
+    formatRate('wins', report.wins),
+    formatRate('losses', report.losses),
+    formatRate('draws', report.draws),
+    formatRate('as P1', report.winsAsP1),
+    formatRate('as P2', report.winsAsP2),
+    '',
+    `Turns: mean ${report.turns.mean.toFixed(1)}, min ${report.turns.min}, max ${report.turns.max}`,
+    '',
+    `Final scores (${report.a}-${report.b}):`,
+  ];
+  for (const [score, n] of Object.entries(report.scores)) {
+    lines.push(`  ${score.padEnd(7)} ${String(n).padStart(7)}  ${pct(n / report.games).padStart(6)}`);
+  }
+  lines.push('', 'End reasons:');
+  for (const [reason, n] of Object.entries(report.endReasons)) {
+    lines.push(`  ${reason.padEnd(15)} ${String(n).padStart(7)}  ${pct(n / report.games).padStart(6)}`);
+  }
+  return lines.join('\n');
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (opts.list) {
+    for (const bot of bots.listBots()) console.log(`${bot.name.padEnd(12)} ${bot.description}`);
+    console.log(`${'auto-player'.padEnd(12)} auto-player.js's chooseMove`);
+    return 0;
+  }
+
+  if (opts.strategies.length !== 2) {
+    console.error(`Expected two strategies, got ${opts.strategies.length}\n\n${USAGE}`);
+    return 2;
+  }
+  const names = strategyNames();
+  for (const name of opts.strategies) {
+    if (!names.includes(name)) {
+      console.error(`Unknown strategy "${name}". Available: ${names.join(', ')}`);
+      return 2;
+    }
+  }
+  if (!Number.isInteger(opts.games) || opts.games < 1 || opts.games > MAX_GAMES) {
+    console.error(`--games must be an integer between 1 and ${MAX_GAMES}`);
+    return 2;
+  }
+
+  let rulesetInput = opts.ruleset;
+  if (typeof rulesetInput === 'string' && rulesetInput.startsWith('{')) {
+    try { rulesetInput = JSON.parse(rulesetInput); } catch (e) {
+      console.error('--ruleset is not valid JSON');
+      return 2;
+    }
+  }
+  const { ruleset, error } = resolveRuleset(rulesetInput);
+  if (error) {
+    console.error(error);
+    return 2;
+  }
+
+  let seed = randomSeed();
+  if (opts.seed !== null) {
+    seed = normalizeSeed(opts.seed);
+    if (seed === null) {
+      console.error('--seed must be a non-negative integer or a string');
+      return 2;
+    }
+  }
+
+  const [a, b] = opts.strategies;
+  const report = simulate({ a, b, games: opts.games, ruleset, seed });
+  console.log(opts.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return 0;
+}
+
+module.exports = { simulate, wilson };
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,288 @@
+/**
+ * Equilibrium solver for Shellsword.
+ *
+ * A bout is a finite two-player zero-sum stochastic game: each turn both
+ * fencers pick a move at once, the engine resolves it (with a close-hit roll
+ * at distance 2), and the state moves on. Every turn advances the clock, so
+ * the game can be solved by backward induction from the turn limit:
+ *
+ *   state = (turn, distance, p1 score, p2 score)       regulation
+ *         = (overtime turn, distance)                  sudden death
+ *
+ * For each state the 4x4 (7x7 with the extended move set) matrix of continuation values (P1's expected result:
+ * win 1, draw 1/2, loss 0) is built by running the engine's resolveTurn on
+ * every move pair and both roll outcomes, then solved as a matrix game with
+ * a small simplex. The result per state is both sides' equilibrium mixed
+ * strategy and the win/draw probabilities when both play it.
+ *
+ * Solutions are cached per ruleset (see rulesetKey) and computed on first use.
+ * A server should call precompute() instead: a solve blocks for up to a
+ * second, so after it only the precomputed rulesets count as solvable.
+ */
+
+const { movesFor, resolveTurn } = require('./engine');
+const { rulesetKey } = require('./rulesets');
+
+const EPS = 1e-12;
+const MAX_STATES = 50_000; // about a second to solve; classic is ~1.7k states, long-bout ~10k
+const CACHE_SIZE = 8;
+
+// ---- Matrix games ----
+
+// Solve a zero-sum matrix game where the row player maximizes A[i][j].
+// Returns { value, row, col } with row/col the optimal mixed strategies.
+function solveMatrixGame(A) {
+  const m = A.length;
+  const n = A[0].length;
+
+  // Shift so every payoff is positive, then solve
+  //   max sum(y)  s.t.  B y <= 1, y >= 0
+  // The column strategy is y / sum(y), the row strategy comes from the duals
+  // and the game value is 1 / sum(y) minus the shift.
+  let min = Infinity;
+  for (const row of A) for (const v of row) min = Math.min(min, v);
+  const shift = 1 - min;
+
+  // Tableau: m constraint rows + objective row; columns y (n), slacks (m), rhs
+  const width = n + m + 1;
+  const T = [];
+  for (let i = 0; i < m; i++) {
+    const row = new Array(width).fill(0);
+    for (let j = 0; j < n; j++) row[j] = A[i][j] + shift;
+    row[n + i] = 1;
+    row[width - 1] = 1;
+    T.push(row);
+  }
+  const obj = new Array(width).fill(0);
+  for (let j = 0; j < n; j++) obj[j] = -1;
+  T.push(obj);
+  const basis = Array.from({ length: m }, (_, i) => n + i);
+
+  // Bland's rule: first improving column, lowest-index leaving variable on ties
+  for (;;) {
+    let enter = -1;
+    for (let j = 0; j < n + m; j++) {
+      if (T[m][j] < -EPS) { enter = j; break; }
+    }
+    if (enter < 0) break;
+
+    let leave = -1;
+    let best = Infinity;
+    for (let i = 0; i < m; i++) {
+      if (T[i][enter] > EPS) {
+        const ratio = T[i][width - 1] / T[i][enter];
+        if (ratio < best - EPS || (Math.abs(ratio - best) <= EPS && basis[i] < basis[leave])) {
+          best = ratio;
+          leave = i;
+        }
+      }
+    }
+    if (leave < 0) throw new Error('matrix game LP is unbounded');
+
+    const pivot = T[leave][enter];
+    for (let j = 0; j < width; j++) T[leave][j] /= pivot;
+    for (let i = 0; i <= m; i++) {
+      if (i === leave) continue;
+      const factor = T[i][enter];
+      if (Math.abs(factor) > EPS) {
+        for (let j = 0; j < width; j++) T[i][j] -= factor * T[leave][j];
+      }
+    }
+    basis[leave] = enter;
+  }
+
+  const total = T[m][width - 1];
+  const col = new Array(n).fill(0);
+  basis.forEach((b, i) => { if (b < n) col[b] = T[i][width - 1] / total; });
+  const row = [];
+  for (let i = 0; i < m; i++) row.push(Math.max(0, T[m][n + i]) / total);
+
+  return { value: 1 / total - shift, row: normalize(row), col: normalize(col) };
+}
+
+function normalize(p) {
+  const clean = p.map(v => (v < 1e-9 ? 0 : v));
+  const sum = clean.reduce((a, b) => a + b, 0);
+  return clean.map(v => v / sum);
+}
+
+// ---- Turn outcomes via the engine ----
+
+// Rolls that always hit or always miss, so a turn can be replayed both ways
+const HIT_RNG = { next: () => 0 };
+const MISS_RNG = { next: () => 1 - Number.EPSILON };
+
+function simulate(ruleset, from, p1Move, p2Move, rng) {
+  const game = {
+    ruleset,
+    rng,
+    phase: from.overtime ? 'overtime' : 'input',
+    overtimeTurn: from.overtime ? from.turn : 0,
+    endReason: null,
+    turn: from.overtime ? ruleset.maxTurns + from.turn : from.turn,
+    distance: from.distance,
+    scores: { p1: from.p1, p2: from.p2 },
+    moves: { p1: p1Move, p2: p2Move },
+    lastResult: '',
+    winner: null,
+    history: [],
+    maxTurns: ruleset.maxTurns,
+  };
+  resolveTurn(game);
+  return game;
+}
+
+// [{ p, game }] for every way a move pair can play out
+function outcomes(ruleset, from, p1Move, p2Move) {
+  const hit = simulate(ruleset, from, p1Move, p2Move, HIT_RNG);
+  if (hit.history[0].closeHit === null) return [{ p: 1, game: hit }];
+  const c = ruleset.closeHitChance;
+  return [
+    { p: c, game: hit },
+    { p: 1 - c, game: simulate(ruleset, from, p1Move, p2Move, MISS_RNG) },
+  ];
+}
+
+// ---- Backward induction ----
+
+function regulationKey(turn, distance, p1, p2) {
+  return `r:${turn}:${distance}:${p1}:${p2}`;
+}
+
+function overtimeKey(turn, distance) {
+  return `o:${turn}:${distance}`;
+}
+
+function solveRuleset(ruleset) {
+  const { maxDistance, touchesToWin, maxTurns, overtimeTurns } = ruleset;
+  const moves = movesFor(ruleset);
+  const states = new Map(); // key -> { win, draw, value, p1, p2 }
+
+  // Value of a resolved game: terminal result or the next state's solution
+  const lookup = (game) => {
+    if (game.phase === 'over') {
+      if (game.winner === 'p1') return { win: 1, draw: 0 };
+      if (game.winner === 'p2') return { win: 0, draw: 0 };
+      return { win: 0, draw: 1 };
+    }
+    const key = game.phase === 'overtime'
+      ? overtimeKey(game.overtimeTurn, game.distance)
+      : regulationKey(game.turn, game.distance, game.scores.p1, game.scores.p2);
+    return states.get(key);
+  };
+
+  const solveState = (from) => {
+    // Expected win and draw probability for each move pair
+    const cells = moves.map(p1Move => moves.map(p2Move => {
+      let win = 0;
+      let draw = 0;
+      for (const { p, game } of outcomes(ruleset, from, p1Move, p2Move)) {
+        if (p === 0) continue;
+        const next = lookup(game);
+        win += p * next.win;
+        draw += p * next.draw;
+      }
+      return { win, draw };
+    }));
+    const { value, row, col } = solveMatrixGame(cells.map(r => r.map(c => c.win + c.draw / 2)));
+
+    let win = 0;
+    let draw = 0;
+    for (let i = 0; i < moves.length; i++) {
+      for (let j = 0; j < moves.length; j++) {
+        win += row[i] * col[j] * cells[i][j].win;
+        draw += row[i] * col[j] * cells[i][j].draw;
+      }
+    }
+    return { win, draw, value, p1: row, p2: col };
+  };
+
+  // Overtime first: regulation's last turn can lead into it
+  for (let t = overtimeTurns - 1; t >= 0; t--) {
+    for (let d = 1; d <= maxDistance; d++) {
+      states.set(overtimeKey(t, d), solveState({ overtime: true, turn: t, distance: d, p1: touchesToWin, p2: touchesToWin }));
+    }
+  }
+  for (let t = maxTurns - 1; t >= 0; t--) {
+    for (let d = 1; d <= maxDistance; d++) {
+      for (let a = 0; a < touchesToWin; a++) {
+        for (let b = 0; b < touchesToWin; b++) {
+          states.set(regulationKey(t, d, a, b), solveState({ overtime: false, turn: t, distance: d, p1: a, p2: b }));
+        }
+      }
+    }
+  }
+  return states;
+}
+
+function stateCount(ruleset) {
+  const { maxDistance, touchesToWin, maxTurns, overtimeTurns } = ruleset;
+  return maxDistance * (maxTurns * touchesToWin * touchesToWin + overtimeTurns);
+}
+
+const cache = new Map(); // rulesetKey -> solved states, oldest first
+const pinned = new Set(); // rulesetKeys from precompute(), never evicted
+let solveOnDemand = true;
+
+// Custom rulesets can be made far too big to solve on a request, and piste
+// positions aren't part of the solved state
+function solvable(ruleset) {
+  if (ruleset.strip === 'piste' || stateCount(ruleset) > MAX_STATES) return false;
+  return solveOnDemand || cache.has(rulesetKey(ruleset));
+}
+
+function solutionFor(ruleset) {
+  const key = rulesetKey(ruleset);
+  if (!cache.has(key)) {
+    if (!solvable(ruleset)) throw new Error(`ruleset can't be solved: piste mode, over ${MAX_STATES} states, or not precomputed`);
+    if (cache.size >= CACHE_SIZE) {
+      const oldest = [...cache.keys()].find(k => !pinned.has(k));
+      if (oldest !== undefined) cache.delete(oldest);
+    }
+    cache.set(key, solveRuleset(ruleset));
+  }
+  return cache.get(key);
+}
+
+// Solve `rulesets` now and stop solving anything else. Returns the ones that
+// could be solved.
+function precompute(rulesets) {
+  const solved = rulesets.filter(r => solvable(r));
+  for (const ruleset of solved) {
+    solutionFor(ruleset);
+    pinned.add(rulesetKey(ruleset));
+  }
+  solveOnDemand = false;
+  return solved;
+}
+
+function asStrategy(ruleset, probs) {
+  const strategy = {};
+  movesFor(ruleset).forEach((m, i) => { strategy[m] = probs[i]; });
+  return strategy;
+}
+
+// Equilibrium for one position, seen from `side`. `score`/`oppScore` are
+// side's and the opponent's touches; pass overtimeTurn for sudden death.
+// Returns null for a position that can't occur under the ruleset.
+function strategyFor(ruleset, { side = 'p1', distance, score, oppScore, turn, overtimeTurn = null }) {
+  const states = solutionFor(ruleset);
+  const [p1, p2] = side === 'p1' ? [score, oppScore] : [oppScore, score];
+  const key = overtimeTurn !== null
+    ? overtimeKey(overtimeTurn, distance)
+    : regulationKey(turn, distance, p1, p2);
+  const s = states.get(key);
+  if (!s) return null;
+
+  const win = side === 'p1' ? s.win : 1 - s.win - s.draw;
+  return {
+    strategy: asStrategy(ruleset, side === 'p1' ? s.p1 : s.p2),
+    opponentStrategy: asStrategy(ruleset, side === 'p1' ? s.p2 : s.p1),
+    value: side === 'p1' ? s.value : 1 - s.value,
+    winProbability: win,
+    drawProbability: s.draw,
+    lossProbability: 1 - win - s.draw,
+  };
+}
+
+module.exports = { solveMatrixGame, strategyFor, solvable, precompute, outcomes };
@@ -0,0 +1,417 @@
+/**
+ * Outbound webhooks for Shellsword.
+ *
+ * A subscription is a URL plus the events it wants:
+ *
+ *   {
+ *     "url": "https://example.com/shellsword",
+ *     "events": ["match_started", "game_over"],   // or "tournament_*", or "*"
+ *     "secret": "...",                            // HMAC key (optional)
+ *     "players": ["Nox"],                         // only events involving these names
+ *     "excludePlayers": ["kavklaww"],             // never events involving these
+ *     "throttleSeconds": 1800,                    // at most one per event and players
+ *     "headers": { "Authorization": "Bearer ${HOOK_TOKEN}" },
+ *     "template": { "text": "{name} joined" }     // send this instead of the envelope
+ *   }
+ *
+ * Subscriptions come from the webhooks config file (read-only; "${NAME}" in
+ * any string is taken from the environment, so secrets stay out of the file)
+ * or from the admin API (stored in webhook_subscriptions).
+ *
+ * A delivery POSTs { event, timestamp, data } — or the template with
+ * "{field}" filled in from data — with X-Shellsword-Event, -Delivery and
+ * -Timestamp headers, and, when there is a secret,
+ *
+ *   X-Shellsword-Signature: sha256=<hex HMAC of `${timestamp}.${body}`>
+ *
+ * Network errors, timeouts, 408, 429 and 5xx answers are retried with
+ * backoff. Every delivery is kept in webhook_deliveries with its status.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const EVENTS = [
+  'queue_join',
+  'match_started',
+  'turn_resolved',
+  'game_over',
+  'tournament_created',
+  'tournament_started',
+  'tournament_round',
+  'tournament_finished',
+  'tournament_cancelled',
+];
+
+const RETRY_DELAYS_MS = [10_000, 60_000, 5 * 60_000, 30 * 60_000];
+const REQUEST_TIMEOUT_MS = 5_000;
+const KEEP_DELIVERIES = 2_000;
+
+function eventMatches(pattern, event) {
+  if (pattern === '*' || pattern === event) return true;
+  return pattern.endsWith('*') && event.startsWith(pattern.slice(0, -1));
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0 && v.length <= 64);
+}
+
+// Check a subscription from the API or the config file.
+// Returns { subscription } (normalized) or { error }.
+function validateSubscription(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'subscription must be an object' };
+  const { url, events, secret, players, excludePlayers, throttleSeconds, headers, template } = input;
+
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return { error: 'url must be an http(s) URL' }; }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { error: 'url must be an http(s) URL' };
+
+  if (!Array.isArray(events) || events.length === 0) return { error: `events must be a non-empty list of: ${EVENTS.join(', ')} (or a prefix ending in *)` };
+  for (const e of events) {
+    if (typeof e !== 'string' || !(EVENTS.includes(e) || (e.endsWith('*') && EVENTS.some(name => eventMatches(e, name))))) {
+      return { error: `Unknown event "${e}". Events: ${EVENTS.join(', ')}` };
+    }
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8 || secret.length > 200)) {
+    return { error: 'secret must be a string of 8 to 200 characters' };
+  }
+  if (players !== undefined && !isStringList(players)) return { error: 'players must be a list of names' };
+  if (excludePlayers !== undefined && !isStringList(excludePlayers)) return { error: 'excludePlayers must be a list of names' };
+  if (throttleSeconds !== undefined && (!Number.isInteger(throttleSeconds) || throttleSeconds < 0 || throttleSeconds > 86_400)) {
+    return { error: 'throttleSeconds must be an integer between 0 and 86400' };
+  }
+  if (headers !== undefined && (typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(v => typeof v === 'string'))) {
+    return { error: 'headers must be an object of strings' };
+  }
+  if (template !== undefined && (typeof template !== 'object' || template === null || Array.isArray(template))) {
+    return { error: 'template must be an object' };
+  }
+
+  return {
+    subscription: {
+      url: parsed.toString(),
+      events: [...events],
+      secret: secret || null,
+      players: players || null,
+      excludePlayers: excludePlayers || null,
+      throttleSeconds: throttleSeconds || 0,
+      headers: headers || {},
+      template: template || null,
+    },
+  };
+}
+
+// Replace "${NAME}" in every string of a config value. Returns the value and
+// the names that weren't set.
+function expandEnv(value, env, missing = []) {
+  if (typeof value === 'string') {
+    return {
+      value: value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+        if (env[name] === undefined) missing.push(name);
+        return env[name] ?? '';
+      }),
+      missing,
+    };
+  }
+  if (Array.isArray(value)) return { value: value.map(v => expandEnv(v, env, missing).value), missing };
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = expandEnv(v, env, missing).value;
+    return { value: out, missing };
+  }
+  return { value, missing };
+}
+
+// Fill "{field}" placeholders in a template's strings from event data
+function render(template, data) {
+  if (typeof template === 'string') {
+    return template.replace(/\{([A-Za-z0-9_]+)\}/g, (m, key) => (data[key] === undefined || data[key] === null ? m : String(data[key])));
+  }
+  if (Array.isArray(template)) return template.map(t => render(t, data));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, render(v, data)]));
+  }
+  return template;
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function post(url, headers, body) {
+  return new Promise((resolve) => {
+    const target = new URL(url);
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: REQUEST_TIMEOUT_MS,
+    }, (res) => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', (err) => resolve({ error: err.message }));
+    req.end(body);
+  });
+}
+
+function retryable({ status, error }) {
+  return Boolean(error) || status === 408 || status === 429 || status >= 500;
+}
+
+// `configFile` is read once at startup; a missing file means no config
+// subscriptions. Returns the webhook service used by the server.
+function createWebhooks(db, { configFile = null, env = process.env, log = console.log } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      secret TEXT,
+      options TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      subscription_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      next_attempt_at INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at);
+  `);
+
+  const insertSubscriptionStmt = db.prepare(`
+    INSERT INTO webhook_subscriptions (id, url, events, secret, options, created_at) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const loadSubscriptionsStmt = db.prepare(`SELECT * FROM webhook_subscriptions ORDER BY created_at`);
+  const deleteSubscriptionStmt = db.prepare(`DELETE FROM webhook_subscriptions WHERE id = ?`);
+  const insertDeliveryStmt = db.prepare(`
+    INSERT INTO webhook_deliveries (id, subscription_id, event, body, status, attempts, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+  `);
+  const updateDeliveryStmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, updated_at = ?
+    WHERE id = ?
+  `);
+  const unfinishedDeliveriesStmt = db.prepare(`
+    SELECT * FROM webhook_deliveries WHERE status IN ('pending', 'retrying') ORDER BY created_at
+  `);
+  const listDeliveriesStmt = db.prepare(`
+    SELECT * FROM webhook_deliveries WHERE (@subscription IS NULL OR subscription_id = @subscription)
+    ORDER BY created_at DESC LIMIT @limit
+  `);
+  const pruneDeliveriesStmt = db.prepare(`
+    DELETE FROM webhook_deliveries WHERE status NOT IN ('pending', 'retrying') AND id NOT IN (
+      SELECT id FROM webhook_deliveries ORDER BY created_at DESC LIMIT ${KEEP_DELIVERIES}
+    )
+  `);
+
+  const subscriptions = new Map(); // id -> subscription, config ones first
+  const lastSent = new Map();      // throttle key -> ms
+  let sinceLastPrune = 0;
+
+  if (configFile && fs.existsSync(configFile)) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (err) {
+      throw new Error(`${configFile}: ${err.message}`);
+    }
+    const list = Array.isArray(raw) ? raw : raw && raw.subscriptions;
+    if (!Array.isArray(list)) throw new Error(`${configFile}: expected a list of subscriptions`);
+    list.forEach((entry, i) => {
+      const id = `config_${entry.id || i + 1}`;
+      const { value, missing } = expandEnv(entry, env);
+      if (missing.length) {
+        log(`[WEBHOOK] ${id} disabled: ${[...new Set(missing)].join(', ')} not set`);
+        return;
+      }
+      const { subscription, error } = validateSubscription(value);
+      if (error) throw new Error(`${configFile}: subscription ${i + 1}: ${error}`);
+      subscriptions.set(id, { id, source: 'config', ...subscription, createdAt: null });
+    });
+  }
+  for (const row of loadSubscriptionsStmt.all()) {
+    subscriptions.set(row.id, {
+      id: row.id,
+      source: 'api',
+      url: row.url,
+      events: JSON.parse(row.events),
+      secret: row.secret,
+      ...JSON.parse(row.options),
+      createdAt: row.created_at,
+    });
+  }
+  if (subscriptions.size) log(`[WEBHOOK] ${subscriptions.size} subscription(s) loaded`);
+
+  function wants(sub, event, players) {
+    if (!sub.events.some(p => eventMatches(p, event))) return false;
+    if (sub.players && !players.some(n => sub.players.includes(n))) return false;
+    if (sub.excludePlayers && players.some(n => sub.excludePlayers.includes(n))) return false;
+    return true;
+  }
+
+  // Throttled subscriptions send one delivery per event and set of players
+  // per window
+  function throttled(sub, event, players, now) {
+    if (!sub.throttleSeconds) return false;
+    const key = `${sub.id}|${event}|${[...players].sort().join(',')}`;
+    if (now - (lastSent.get(key) || 0) < sub.throttleSeconds * 1000) return true;
+    lastSent.set(key, now);
+    return false;
+  }
+
+  async function attempt(delivery) {
+    const sub = subscriptions.get(delivery.subscriptionId);
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+    if (!sub) {
+      updateDeliveryStmt.run('failed', delivery.attempts, null, 'subscription removed', null, now, delivery.id);
+      return;
+    }
+
+    const timestamp = String(Math.floor(now / 1000));
+    const headers = {
+      ...sub.headers,
+      'X-Shellsword-Event': delivery.event,
+      'X-Shellsword-Delivery': delivery.id,
+      'X-Shellsword-Timestamp': timestamp,
+    };
+    if (sub.secret) headers['X-Shellsword-Signature'] = sign(sub.secret, timestamp, delivery.body);
+
+    const result = await post(sub.url, headers, delivery.body);
+    const ok = !result.error && result.status >= 200 && result.status < 300;
+    const retry = !ok && retryable(result) && attempts <= RETRY_DELAYS_MS.length;
+    const nextAt = retry ? Date.now() + RETRY_DELAYS_MS[attempts - 1] : null;
+    const status = ok ? 'delivered' : retry ? 'retrying' : 'failed';
+    updateDeliveryStmt.run(status, attempts, result.status || null, result.error || null, nextAt, Date.now(), delivery.id);
+    log(`[WEBHOOK] ${delivery.event} -> ${sub.id} ${status}${result.status ? ` (${result.status})` : ''}${result.error ? `: ${result.error}` : ''}`);
+
+    if (retry) schedule({ ...delivery, attempts }, nextAt);
+  }
+
+  function schedule(delivery, at) {
+    setTimeout(() => attempt(delivery).catch(err => log(`[WEBHOOK] ${delivery.id} error: ${err.message}`)), Math.max(0, at - Date.now())).unref();
+  }
+
+  function enqueue(sub, event, body) {
+    const now = Date.now();
+    const delivery = { id: 'd_' + crypto.randomBytes(8).toString('hex'), subscriptionId: sub.id, event, body, attempts: 0 };
+    insertDeliveryStmt.run(delivery.id, sub.id, event, body, now, now);
+    if (++sinceLastPrune >= 100) {
+      sinceLastPrune = 0;
+      pruneDeliveriesStmt.run();
+    }
+    schedule(delivery, now);
+    return delivery.id;
+  }
+
+  // Deliveries cut off by a restart pick up where they were
+  for (const row of unfinishedDeliveriesStmt.all()) {
+    schedule({ id: row.id, subscriptionId: row.subscription_id, event: row.event, body: row.body, attempts: row.attempts }, row.next_attempt_at || Date.now());
+  }
+
+  // `data.players` lists the names the event involves (for player filters)
+  function emit(event, data) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown webhook event "${event}"`);
+    const players = (data.players || []).filter(Boolean);
+    const now = Date.now();
+    for (const sub of subscriptions.values()) {
+      if (!wants(sub, event, players) || throttled(sub, event, players, now)) continue;
+      const body = JSON.stringify(sub.template
+        ? render(sub.template, { event, ...data })
+        : { event, timestamp: new Date(now).toISOString(), data });
+      enqueue(sub, event, body);
+    }
+  }
+
+  // Add an API subscription. Returns { subscription, secret } or { error };
+  // a secret is generated when none is given and only shown here.
+  function subscribe(input) {
+    const { subscription, error } = validateSubscription(input);
+    if (error) return { error };
+    const id = 'wh_' + crypto.randomBytes(6).toString('hex');
+    const secret = subscription.secret || 'whsec_' + crypto.randomBytes(24).toString('hex');
+    const { url, events, players, excludePlayers, throttleSeconds, headers, template } = subscription;
+    const options = { players, excludePlayers, throttleSeconds, headers, template };
+    const now = Date.now();
+    insertSubscriptionStmt.run(id, url, JSON.stringify(events), secret, JSON.stringify(options), now);
+    const sub = { id, source: 'api', ...subscription, secret, createdAt: now };
+    subscriptions.set(id, sub);
+    return { subscription: view(sub), secret };
+  }
+
+  // Returns false for unknown ids; config subscriptions can't be removed
+  function unsubscribe(id) {
+    const sub = subscriptions.get(id);
+    if (!sub || sub.source !== 'api') return false;
+    deleteSubscriptionStmt.run(id);
+    subscriptions.delete(id);
+    return true;
+  }
+
+  // Secrets and header values are never shown again
+  function view(sub) {
+    return {
+      id: sub.id,
+      source: sub.source,
+      url: sub.url,
+      events: sub.events,
+      signed: Boolean(sub.secret),
+      players: sub.players,
+      excludePlayers: sub.excludePlayers,
+      throttleSeconds: sub.throttleSeconds,
+      headers: Object.keys(sub.headers),
+      template: sub.template,
+      createdAt: sub.createdAt,
+    };
+  }
+
+  function list() {
+    return [...subscriptions.values()].map(view);
+  }
+
+  function get(id) {
+    const sub = subscriptions.get(id);
+    return sub ? view(sub) : null;
+  }
+
+  function deliveries({ subscription = null, limit = 100 } = {}) {
+    return listDeliveriesStmt.all({ subscription, limit }).map(row => ({
+      id: row.id,
+      subscription: row.subscription_id,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      error: row.error,
+      nextAttemptAt: row.next_attempt_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      body: row.body,
+    }));
+  }
+
+  // Send a `ping` envelope to one subscription, ignoring its filters
+  function ping(id) {
+    const sub = subscriptions.get(id);
+    if (!sub) return null;
+    return enqueue(sub, 'ping', JSON.stringify({ event: 'ping', timestamp: new Date().toISOString(), data: {} }));
+  }
+
+  return { emit, subscribe, unsubscribe, list, get, deliveries, ping };
+}
+
+module.exports = { EVENTS, createWebhooks, validateSubscription, sign };